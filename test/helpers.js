@@ -0,0 +1,115 @@
+// Shared test setup. Import this before server.js, which validates its environment when it is loaded.
+import crypto from 'crypto';
+import admin from 'firebase-admin';
+
+Object.assign(process.env, {
+    AI_PROVIDER: 'mock',
+    JWT_SECRET: 'test-secret',
+    ALLOWED_ORIGINS: '*',
+    DATABASE_URL: 'postgres://localhost/test',
+    TENANT_ENCRYPTION_KEY: crypto.randomBytes(32).toString('hex'),
+    EMBEDDING_PROVIDER: 'local',
+    KNOWLEDGE_SEARCH: 'memory',
+    // The webhook tests deliver to a server on localhost.
+    ALLOW_PRIVATE_WEBHOOK_URLS: 'true',
+    NOTIFICATION_RETRY_BASE_MS: '20',
+    NOTIFICATION_MAX_ATTEMPTS: '3'
+});
+
+// Firestore hands dates and server timestamps back as Timestamps.
+function storedValues(data) {
+    const { Timestamp, FieldValue } = admin.firestore;
+    return Object.fromEntries(Object.entries(data).map(([field, value]) => [field,
+        value instanceof Date ? Timestamp.fromDate(value) : FieldValue.serverTimestamp().isEqual(value) ? Timestamp.now() : value]));
+}
+
+// Just enough of a Firestore database for the code under test: documents, equality filters, ordering, limits and
+// batches.
+export function memoryFirestore() {
+    const collections = new Map();
+    const documents = name => {
+        if (!collections.has(name)) collections.set(name, new Map());
+        return collections.get(name);
+    };
+    const snapshotOf = (ref, data) => ({ id: ref.id, ref, exists: data !== undefined, data: () => data && { ...data } });
+    const docRef = (name, id) => {
+        const ref = {
+            id,
+            async get() { return snapshotOf(ref, documents(name).get(id)); },
+            async set(data, { merge = false } = {}) { documents(name).set(id, { ...(merge && documents(name).get(id)), ...storedValues(data) }); },
+            async update(data) {
+                const existing = documents(name).get(id);
+                if (!existing) throw new Error(`No document to update: ${name}/${id}`);
+                const updated = { ...existing, ...storedValues(data) };
+                for (const [field, value] of Object.entries(data)) {
+                    if (admin.firestore.FieldValue.delete().isEqual(value)) delete updated[field];
+                }
+                documents(name).set(id, updated);
+            },
+            async delete() { documents(name).delete(id); }
+        };
+        return ref;
+    };
+    const sortKey = value => value?.toMillis ? value.toMillis() : value;
+    const query = (name, filters = [], limit = Infinity, order = null) => ({
+        doc: (id = crypto.randomUUID()) => docRef(name, id),
+        where: (field, op, value) => {
+            if (op !== '==') throw new Error(`Unsupported operator ${op}`);
+            return query(name, [...filters, [field, value]], limit, order);
+        },
+        orderBy: (field, direction = 'asc') => query(name, filters, limit, { field, sign: direction === 'desc' ? -1 : 1 }),
+        limit: count => query(name, filters, count, order),
+        async get() {
+            const docs = [...documents(name)]
+                .filter(([, data]) => filters.every(([field, value]) => data[field] === value))
+                .sort(([, a], [, b]) => order ? order.sign * (sortKey(a[order.field]) > sortKey(b[order.field]) ? 1 : sortKey(a[order.field]) < sortKey(b[order.field]) ? -1 : 0) : 0)
+                .slice(0, limit)
+                .map(([id, data]) => snapshotOf(docRef(name, id), data));
+            return { docs, empty: docs.length === 0, size: docs.length };
+        }
+    });
+    return {
+        collections,
+        collection: name => query(name),
+        async listCollections() { return [...collections.keys()].map(query); },
+        batch() {
+            const writes = [];
+            return {
+                set: (ref, data, options) => writes.push(() => ref.set(data, options)),
+                update: (ref, data) => writes.push(() => ref.update(data)),
+                delete: ref => writes.push(() => ref.delete()),
+                async commit() { for (const write of writes) await write(); }
+            };
+        }
+    };
+}
+
+// Just enough of the tenant registry to register a tenant and authenticate its API key, without Postgres.
+export function memoryRegistry() {
+    const tenants = new Map();
+    const keys = new Map();
+    return {
+        async register(serviceAccount) {
+            const tenantId = crypto.createHash('sha256').update(serviceAccount.project_id).digest('hex');
+            tenants.set(tenantId, serviceAccount);
+            return { tenantId, ...await this.createKey(tenantId) };
+        },
+        async getCredentials(tenantId) { return tenants.get(tenantId) || null; },
+        async createKey(tenantId) {
+            const keyId = crypto.randomUUID();
+            const apiKey = `gk_${crypto.randomBytes(16).toString('base64url')}`;
+            keys.set(apiKey, { keyId, tenantId });
+            return { keyId, apiKey };
+        },
+        async authenticate(apiKey) { return keys.get(apiKey) || null; },
+        async listTenantIds() { return [...tenants.keys()]; }
+    };
+}
+
+export async function waitFor(predicate, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await predicate())) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition.');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
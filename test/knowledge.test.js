@@ -0,0 +1,53 @@
+import { memoryFirestore } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HashingEmbedder, KnowledgeBase, MemoryVectorSearcher } from '../server.js';
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+test('HashingEmbedder returns deterministic unit vectors', async () => {
+    const embedder = new HashingEmbedder(64);
+    const [first, again, empty] = await embedder.embed(['Shipping to Poland', 'shipping to POLAND', '']);
+    assert.equal(embedder.id, 'hashing:64');
+    assert.equal(first.length, 64);
+    assert.deepEqual(first, again);
+    assert.ok(Math.abs(Math.hypot(...first) - 1) < 1e-9);
+    assert.ok(empty.every(value => value === 0));
+});
+
+test('HashingEmbedder scores texts that share words higher', async () => {
+    const [query, related, unrelated] = await new HashingEmbedder().embed(['how long does shipping take', 'shipping takes two days', 'we accept returns within thirty days']);
+    assert.ok(dot(query, related) > dot(query, unrelated));
+});
+
+test('KnowledgeBase.chunk overlaps consecutive chunks', () => {
+    const knowledgeBase = new KnowledgeBase(new HashingEmbedder(), new MemoryVectorSearcher(), { chunkWords: 4, overlapWords: 1 });
+    assert.deepEqual(knowledgeBase.chunk('a b c d e f g'), ['a b c d', 'd e f g']);
+});
+
+test('KnowledgeBase finds the most relevant document and forgets removed ones', async () => {
+    const db = memoryFirestore();
+    const knowledgeBase = new KnowledgeBase(new HashingEmbedder(), new MemoryVectorSearcher());
+    const shipping = await knowledgeBase.ingest(db, 'tenant-1', { title: 'Shipping', content: 'Orders to Poland are delivered within two business days.', source: 'https://shop.test/shipping' });
+    await knowledgeBase.ingest(db, 'tenant-1', { title: 'Returns', content: 'Unused items can be returned within thirty days for a refund.' });
+
+    const results = await knowledgeBase.search(db, 'tenant-1', 'How many days until my order reaches Poland?', 1);
+    assert.equal(results.length, 1);
+    assert.equal(results[0].documentId, shipping.id);
+    assert.equal(results[0].title, 'Shipping');
+    assert.equal(results[0].source, 'https://shop.test/shipping');
+    assert.ok(results[0].score > 0);
+
+    assert.equal(await knowledgeBase.remove(db, 'tenant-1', shipping.id), 1);
+    const afterRemoval = await knowledgeBase.search(db, 'tenant-1', 'How many days until my order reaches Poland?');
+    assert.ok(afterRemoval.every(result => result.title === 'Returns'));
+});
+
+test('KnowledgeBase does not embed queries for tenants without documents', async () => {
+    const embedder = new HashingEmbedder();
+    let embedded = 0;
+    const countingEmbedder = { id: embedder.id, embed: texts => { embedded++; return embedder.embed(texts); } };
+    const knowledgeBase = new KnowledgeBase(countingEmbedder, new MemoryVectorSearcher());
+    assert.deepEqual(await knowledgeBase.search(memoryFirestore(), 'tenant-1', 'anything'), []);
+    assert.equal(embedded, 0);
+});
@@ -0,0 +1,71 @@
+import { memoryFirestore, waitFor } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { signWebhookPayload, NotificationDispatcher } from '../server.js';
+
+const SECRET = 'whsec-0123456789abcdef';
+let server, baseUrl, received = [], failuresLeft = 0;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = failuresLeft-- > 0 ? 500 : 200;
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function setUp(failures) {
+    received = [];
+    failuresLeft = failures;
+    const db = memoryFirestore();
+    await db.collection('settings').doc('notifications').set({ webhooks: [{ id: 'hook-1', url: `${baseUrl}/hook`, events: ['lead.created'], secret: SECRET }] });
+    const dispatcher = new NotificationDispatcher({ loadApp: async () => ({ firestore: () => db }) });
+    await dispatcher.emit(db, 'tenant-1', 'lead.created', { name: 'Ann', contact: 'Ann@Example.com', contact_type: 'email' });
+    const [delivery] = (await db.collection('notification_deliveries').get()).docs;
+    return { db, deliveryRef: delivery.ref };
+}
+
+test('signWebhookPayload is an HMAC-SHA256 of the timestamp and body', () => {
+    const expected = crypto.createHmac('sha256', SECRET).update('1700000000.{"a":1}').digest('hex');
+    assert.equal(signWebhookPayload(SECRET, 1700000000, '{"a":1}'), expected);
+});
+
+test('webhook deliveries are signed and retried until they succeed', async () => {
+    const { deliveryRef } = await setUp(2);
+    await waitFor(async () => (await deliveryRef.get()).data().status === 'delivered');
+
+    const delivery = (await deliveryRef.get()).data();
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.status_code, 200);
+    assert.equal(delivery.subject_email, 'ann@example.com');
+    assert.equal(received.length, 3);
+    for (const { headers, body } of received) {
+        assert.equal(body, delivery.body);
+        assert.equal(headers['x-webhook-event'], 'lead.created');
+        assert.equal(headers['x-webhook-delivery'], deliveryRef.id);
+        assert.equal(headers['x-webhook-signature'], `sha256=${crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex')}`);
+    }
+    assert.equal(JSON.parse(delivery.body).data.name, 'Ann');
+});
+
+test('webhook deliveries are marked failed after the last attempt', async () => {
+    const { deliveryRef } = await setUp(Infinity);
+    await waitFor(async () => (await deliveryRef.get()).data().status === 'failed');
+
+    const delivery = (await deliveryRef.get()).data();
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.status_code, 500);
+    assert.equal(delivery.last_error, 'Webhook responded with HTTP 500');
+    assert.equal('next_attempt_at' in delivery, false);
+    assert.equal(received.length, 3);
+});
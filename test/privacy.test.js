@@ -0,0 +1,41 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redactPII } from '../server.js';
+
+const ALL = { emails: true, phones: true, cards: true };
+
+test('redactPII replaces emails, phone numbers and card numbers', () => {
+    assert.equal(redactPII('Mail me at Ann.Smith+shop@example.co.uk please', ALL), 'Mail me at [EMAIL] please');
+    assert.equal(redactPII('Call +48 600 123 456 or (030) 1234-5678', ALL), 'Call [PHONE] or [PHONE]');
+    assert.equal(redactPII('My number is 600123456', ALL), 'My number is [PHONE]');
+    assert.equal(redactPII('Card 4111 1111 1111 1111, exp 12/27', ALL), 'Card [CARD], exp 12/27');
+});
+
+test('redactPII only redacts the enabled kinds', () => {
+    const text = 'ann@example.com, +48 600 123 456';
+    assert.equal(redactPII(text, { emails: true }), '[EMAIL], +48 600 123 456');
+    assert.equal(redactPII(text, { phones: true }), 'ann@example.com, [PHONE]');
+    assert.equal(redactPII(text), text);
+});
+
+test('redactPII leaves card-length numbers that fail the Luhn check', () => {
+    assert.equal(redactPII('Tracking 4111 1111 1111 1112', { cards: true }), 'Tracking 4111 1111 1111 1112');
+});
+
+test('redactPII does not mistake other numbers for phone numbers', () => {
+    for (const text of [
+        'Order 12345678 has shipped',
+        'The price is 1 000 000 zł',
+        'It costs 12.500.000 EUR',
+        'It costs $ 1234567',
+        'The server at 192.168.100.200 is down',
+        'Delivered on 2024-05-01',
+        'Delivered on 01.05.2024',
+        'Between 2023-2024',
+        'Order #123-456-789',
+        'Pay to PL61 1090 1014 0000 0712 1981 2874 today'
+    ]) {
+        assert.equal(redactPII(text, ALL), text);
+    }
+});
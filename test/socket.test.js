@@ -0,0 +1,99 @@
+import { memoryFirestore, memoryRegistry, waitFor } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import WebSocket from 'ws';
+import { server, useTenantBackends } from '../server.js';
+
+// One local Firestore per Firebase project, shared by the registration probe and the tenant's app.
+const databases = new Map();
+const sockets = [];
+let base, apiKey;
+
+before(async () => {
+    useTenantBackends({
+        registry: memoryRegistry(),
+        createApp: serviceAccount => {
+            if (!databases.has(serviceAccount.project_id)) databases.set(serviceAccount.project_id, memoryFirestore());
+            const db = databases.get(serviceAccount.project_id);
+            return { firestore: () => db, delete: async () => {} };
+        }
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    base = `127.0.0.1:${server.address().port}`;
+    const registration = await post('/api/tenants', { serviceAccount: { project_id: 'shop', client_email: 'chat@shop.test', private_key: 'key' } });
+    apiKey = registration.data.apiKey;
+});
+
+after(() => {
+    for (const ws of sockets) ws.terminate();
+    server.close();
+});
+
+async function post(path, body) {
+    const res = await fetch(`http://${base}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json', ...(apiKey && { Authorization: `Bearer ${apiKey}` }) }, body: JSON.stringify(body) });
+    return res.json();
+}
+
+async function connect(token) {
+    const ws = new WebSocket(`ws://${base}/?token=${token}`);
+    sockets.push(ws);
+    ws.messages = [];
+    ws.on('message', (data, isBinary) => { if (!isBinary) ws.messages.push(JSON.parse(data)); });
+    await once(ws, 'open');
+    ws.sendJson = payload => ws.send(JSON.stringify(payload));
+    return ws;
+}
+
+// Waits for the next message of a type that has not been returned yet.
+async function received(ws, type) {
+    let message;
+    await waitFor(() => (message = ws.messages.find(candidate => candidate.type === type && !candidate.seen)));
+    message.seen = true;
+    return message;
+}
+
+async function startConversation(conversationId) {
+    const session = await post('/api/init-session', { conversationId });
+    return { ws: await connect(session.token), conversationId: session.conversationId };
+}
+
+test('a visitor chats with the AI, is taken over by an operator and resumes on the next page', async () => {
+    const { ws: visitor, conversationId } = await startConversation();
+    visitor.sendJson({ type: 'CONFIG', data: { config: {}, pageContext: { url: 'https://shop.test/shoes', title: 'Shoes' } } });
+    await received(visitor, 'AI_RESPONSE');
+
+    visitor.sendJson({ type: 'TEXT_MESSAGE', text: 'Where is my order?' });
+    const end = await received(visitor, 'AI_RESPONSE_END');
+    const deltas = visitor.messages.filter(message => message.type === 'AI_RESPONSE_DELTA' && message.replyId === end.replyId);
+    assert.ok(deltas.length > 1);
+    assert.equal(deltas.map(delta => delta.text).join('').trimEnd(), end.text);
+    assert.equal(end.text, 'You said: "Where is my order?". Has this resolved your issue?');
+
+    const operator = await connect((await post('/api/operator-session', { operatorName: 'Ann' })).token);
+    operator.sendJson({ type: 'TAKE_OVER', conversationId });
+    assert.equal((await received(visitor, 'AGENT_JOINED')).agentName, 'Ann');
+    const history = await received(operator, 'CONVERSATION_HISTORY');
+    assert.deepEqual(history.messages.map(message => message.content).slice(-2), ['Where is my order?', end.text]);
+
+    visitor.sendJson({ type: 'TEXT_MESSAGE', text: 'Can a person check?' });
+    assert.equal((await received(operator, 'VISITOR_MESSAGE')).text, 'Can a person check?');
+    operator.sendJson({ type: 'OPERATOR_MESSAGE', conversationId, text: 'It ships tomorrow.' });
+    assert.equal((await received(visitor, 'AGENT_MESSAGE')).text, 'It ships tomorrow.');
+    // The operator answered, so the AI stayed quiet.
+    assert.equal(visitor.messages.filter(message => message.type === 'AI_RESPONSE_END').length, 1);
+
+    // The next page connects before the old one has closed.
+    const { ws: nextPage } = await startConversation(conversationId);
+    nextPage.sendJson({ type: 'RESUME', data: { pageContext: { url: 'https://shop.test/cart', title: 'Cart' } } });
+    await received(visitor, 'CONVERSATION_MOVED');
+    const resumed = await received(nextPage, 'RESUMED');
+    assert.deepEqual(resumed.messages.map(message => message.content), ['Hi there! How can I help?', 'Where is my order?', end.text, 'Can a person check?', 'It ships tomorrow.']);
+    assert.equal((await received(nextPage, 'AGENT_JOINED')).agentName, 'Ann');
+    await received(operator, 'VISITOR_RECONNECTED');
+    assert.ok(!operator.messages.some(message => message.type === 'VISITOR_DISCONNECTED'));
+
+    nextPage.sendJson({ type: 'TEXT_MESSAGE', text: 'Thanks!' });
+    assert.equal((await received(operator, 'VISITOR_MESSAGE')).text, 'Thanks!');
+});
@@ -0,0 +1,32 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAIReply, ToolRegistry } from '../server.js';
+
+test('getAIReply runs tool calls and re-prompts the model with their results', async () => {
+    const calls = [];
+    const tools = new ToolRegistry([{
+        name: 'lookup_order',
+        description: 'Looks up an order.',
+        parameters: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+        handler: async (args, context) => {
+            calls.push({ args, context });
+            return { id: args.id, status: 'shipped' };
+        }
+    }]);
+    const reply = await getAIReply([{ role: 'user', content: '/tool lookup_order {"id": "A-17"}' }], { tools, toolContext: { tenantId: 'tenant-1' } });
+
+    assert.deepEqual(calls, [{ args: { id: 'A-17' }, context: { tenantId: 'tenant-1' } }]);
+    const [assistantMessage, toolMessage] = reply.toolMessages;
+    assert.equal(assistantMessage.role, 'assistant');
+    assert.equal(assistantMessage.tool_calls[0].function.name, 'lookup_order');
+    assert.deepEqual(toolMessage, { role: 'tool', tool_call_id: assistantMessage.tool_calls[0].id, content: '{"id":"A-17","status":"shipped"}' });
+    assert.equal(reply.text, 'The tool returned: {"id":"A-17","status":"shipped"}. Has this resolved your issue?');
+});
+
+test('a failing tool returns an error result instead of failing the reply', async () => {
+    const tools = new ToolRegistry([{ name: 'broken', description: 'Always fails.', parameters: { type: 'object', properties: {} }, handler: async () => { throw new Error('boom'); } }]);
+    const reply = await getAIReply([{ role: 'user', content: '/tool broken' }], { tools });
+    assert.match(reply.toolMessages[1].content, /The broken tool failed/);
+    assert.match(reply.text, /^The tool returned: \{"error":/);
+});
@@ -0,0 +1,103 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VoiceActivityDetector, VoiceStream } from '../server.js';
+
+const SAMPLE_RATE = 16000;
+const FRAME_BYTES = SAMPLE_RATE * 0.02 * 2;
+
+function silence(ms) {
+    return Buffer.alloc(SAMPLE_RATE * 2 * ms / 1000);
+}
+
+function tone(ms, amplitude = 3000) {
+    const pcm = silence(ms);
+    for (let i = 0; i < pcm.length / 2; i++) pcm.writeInt16LE(Math.round(amplitude * Math.sin(i / 5)), i * 2);
+    return pcm;
+}
+
+function frames(pcm) {
+    const result = [];
+    for (let offset = 0; offset < pcm.length; offset += FRAME_BYTES) result.push(pcm.subarray(offset, offset + FRAME_BYTES));
+    return result;
+}
+
+// Feeds audio the way a client would, in small chunks with the event loop running in between.
+async function feed(stream, pcm) {
+    for (let offset = 0; offset < pcm.length; offset += 640) {
+        stream.push(pcm.subarray(offset, offset + 640));
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+function wavSeconds(wav) {
+    return (wav.length - 44) / (SAMPLE_RATE * 2);
+}
+
+test('VoiceActivityDetector reports the start and end of speech', () => {
+    const vad = new VoiceActivityDetector();
+    const transitions = frames(Buffer.concat([silence(200), tone(400), silence(1000)]))
+        .map((frame, index) => [index, vad.process(frame)])
+        .filter(([, transition]) => transition);
+    // Speech starts after 120 ms of voiced frames and ends after 700 ms of silence.
+    assert.deepEqual(transitions, [[10 + 5, 'start'], [30 + 34, 'end']]);
+});
+
+test('VoiceActivityDetector ignores quiet noise', () => {
+    const vad = new VoiceActivityDetector();
+    assert.ok(frames(tone(1000, 200)).every(frame => vad.process(frame) === null));
+});
+
+test('VoiceStream collects an utterance with the audio from just before speech started', async () => {
+    const events = [];
+    const stream = new VoiceStream({
+        sampleRate: SAMPLE_RATE,
+        transcribe: async wav => `partial ${wavSeconds(wav)}`,
+        onSpeechStart: () => events.push('start'),
+        onPartial: text => events.push(text),
+        onUtterance: pcm => events.push(pcm)
+    });
+    await feed(stream, Buffer.concat([silence(500), tone(1500), silence(1000)]));
+
+    const utterances = events.filter(Buffer.isBuffer);
+    assert.equal(events[0], 'start');
+    assert.equal(utterances.length, 1);
+    // Speech is detected 100 ms in, so the 300 ms preroll reaches 200 ms before it: 10 frames of silence, the 75 frames
+    // of speech and the 35 frames of silence that ended it.
+    assert.equal(utterances[0].length, (10 + 75 + 35) * FRAME_BYTES);
+    assert.ok(events.some(event => typeof event === 'string' && event.startsWith('partial')));
+});
+
+test('VoiceStream only transcribes a trailing window for partials', async () => {
+    const partialSeconds = [];
+    const stream = new VoiceStream({
+        sampleRate: SAMPLE_RATE,
+        transcribe: async wav => { partialSeconds.push(wavSeconds(wav)); return 'text'; },
+        onSpeechStart: () => {},
+        onPartial: () => {},
+        onUtterance: () => {}
+    });
+    await feed(stream, tone(8000));
+
+    assert.ok(partialSeconds.length >= 5);
+    assert.ok(partialSeconds.every(seconds => seconds <= 4));
+    assert.equal(partialSeconds.at(-1), 4);
+});
+
+test('VoiceStream skips partials for the rest of the utterance once one is refused', async () => {
+    const admitted = [];
+    let transcribed = 0, utterances = 0;
+    const stream = new VoiceStream({
+        sampleRate: SAMPLE_RATE,
+        transcribe: async () => { transcribed++; return 'text'; },
+        admitPartial: async seconds => { admitted.push(seconds); return false; },
+        onSpeechStart: () => {},
+        onPartial: () => {},
+        onUtterance: () => { utterances++; }
+    });
+    await feed(stream, Buffer.concat([tone(4000), silence(1000)]));
+
+    assert.equal(admitted.length, 1);
+    assert.equal(transcribed, 0);
+    assert.equal(utterances, 1);
+});